@@ -0,0 +1,17 @@
+-- Las conversaciones se agrupan por hilo (cadena de replies) dentro de un canal, no solo por usuario.
+ALTER TABLE conversations ADD COLUMN thread_id TEXT;
+ALTER TABLE conversations ADD COLUMN channel_id TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_conversations_thread ON conversations(thread_id, timestamp);
+
+-- Mensajes de Discord que pertenecen a cada hilo, para resolver replies tras un reinicio
+CREATE TABLE IF NOT EXISTS thread_messages (
+    message_id TEXT PRIMARY KEY,
+    thread_id TEXT NOT NULL,
+    channel_id TEXT NOT NULL,
+    guild_id TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_thread_messages_thread ON thread_messages(thread_id);
+CREATE INDEX IF NOT EXISTS idx_thread_messages_created ON thread_messages(created_at);
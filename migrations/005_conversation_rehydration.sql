@@ -0,0 +1,3 @@
+-- Datos necesarios para reconstruir el historial en memoria tras un reinicio
+ALTER TABLE conversations ADD COLUMN author_name TEXT;
+ALTER TABLE conversations ADD COLUMN cleared BOOLEAN DEFAULT 0;
@@ -0,0 +1,10 @@
+-- Resumen acumulado por hilo; los intercambios ya resumidos no vuelven al historial literal
+CREATE TABLE IF NOT EXISTS conversation_summaries (
+    thread_id TEXT PRIMARY KEY,
+    summary TEXT NOT NULL,
+    exchanges INTEGER DEFAULT 0,
+    model_used TEXT,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+ALTER TABLE conversations ADD COLUMN summarized BOOLEAN DEFAULT 0;
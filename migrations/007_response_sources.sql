@@ -0,0 +1,16 @@
+-- Fuentes externas entregadas al modelo en cada respuesta y si la respuesta las citó
+CREATE TABLE IF NOT EXISTS response_sources (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    thread_id TEXT,
+    guild_id TEXT,
+    user_id TEXT NOT NULL,
+    source_name TEXT NOT NULL,
+    title TEXT,
+    url TEXT,
+    position INTEGER NOT NULL,
+    cited BOOLEAN DEFAULT 0,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_response_sources_created ON response_sources(created_at);
+CREATE INDEX IF NOT EXISTS idx_response_sources_source ON response_sources(source_name, cited);
@@ -0,0 +1,23 @@
+-- Base de conocimiento por servidor: documentos propios troceados e indexados con FTS5
+CREATE TABLE IF NOT EXISTS kb_documents (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    guild_id TEXT NOT NULL,
+    title TEXT NOT NULL,
+    filename TEXT,
+    content_hash TEXT NOT NULL,
+    size INTEGER NOT NULL,
+    chunks INTEGER DEFAULT 0,
+    added_by TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(guild_id, title)
+);
+
+CREATE VIRTUAL TABLE IF NOT EXISTS kb_chunks USING fts5(
+    content,
+    heading,
+    guild_id UNINDEXED,
+    document_id UNINDEXED,
+    position UNINDEXED,
+    tokenize = 'unicode61 remove_diacritics 2'
+);
@@ -0,0 +1,17 @@
+-- Cache de respuestas por similitud: preguntas normalizadas a términos para reutilizar respuestas validadas
+CREATE TABLE IF NOT EXISTS semantic_cache (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    scope TEXT NOT NULL,
+    language TEXT NOT NULL,
+    question TEXT NOT NULL,
+    terms TEXT NOT NULL,
+    answer TEXT NOT NULL,
+    model_used TEXT,
+    sources TEXT,
+    hits INTEGER DEFAULT 0,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    last_hit_at DATETIME,
+    expires_at INTEGER NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_semantic_cache_scope ON semantic_cache(scope, language, expires_at);
@@ -0,0 +1,4 @@
+-- ID de correlación del mensaje que originó cada intercambio, para cruzarlo con los logs
+ALTER TABLE conversations ADD COLUMN correlation_id TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_conversations_correlation ON conversations(correlation_id);
@@ -0,0 +1,23 @@
+-- Estado del rate limiter por usuario (ráfaga y ventanas horaria y diaria) para sobrevivir a reinicios
+CREATE TABLE IF NOT EXISTS rate_limit_state (
+    user_id TEXT PRIMARY KEY,
+    tier TEXT,
+    tokens REAL NOT NULL,
+    last_refill INTEGER NOT NULL,
+    last_request INTEGER DEFAULT 0,
+    hour_start INTEGER DEFAULT 0,
+    hour_count INTEGER DEFAULT 0,
+    day_start INTEGER DEFAULT 0,
+    day_count INTEGER DEFAULT 0,
+    updated_at INTEGER NOT NULL
+);
+
+-- Nivel de cuota asignado a un rol de Discord dentro de un servidor
+CREATE TABLE IF NOT EXISTS guild_role_tiers (
+    guild_id TEXT NOT NULL,
+    role_id TEXT NOT NULL,
+    tier TEXT NOT NULL,
+    updated_by TEXT,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (guild_id, role_id)
+);
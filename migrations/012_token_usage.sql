@@ -0,0 +1,20 @@
+-- Tokens consumidos en cada llamada al modelo, para informes de consumo y presupuestos mensuales por servidor
+CREATE TABLE IF NOT EXISTS usage (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    guild_id TEXT,
+    channel_id TEXT,
+    user_id TEXT,
+    thread_id TEXT,
+    provider TEXT NOT NULL,
+    model TEXT NOT NULL,
+    kind TEXT NOT NULL DEFAULT 'response',
+    prompt_tokens INTEGER NOT NULL DEFAULT 0,
+    completion_tokens INTEGER NOT NULL DEFAULT 0,
+    estimated BOOLEAN DEFAULT 0,
+    correlation_id TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_usage_created ON usage(created_at);
+CREATE INDEX IF NOT EXISTS idx_usage_guild_created ON usage(guild_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_usage_user_created ON usage(user_id, created_at);
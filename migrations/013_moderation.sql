@@ -0,0 +1,35 @@
+-- Reglas de moderación por servidor: palabras bloqueadas y expresiones regulares
+CREATE TABLE IF NOT EXISTS moderation_rules (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    guild_id TEXT NOT NULL,
+    type TEXT NOT NULL,
+    pattern TEXT NOT NULL,
+    action TEXT NOT NULL,
+    stage TEXT NOT NULL DEFAULT 'both',
+    created_by TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (guild_id, type, pattern, stage)
+);
+
+-- Decisiones de moderación (rechazos, censuras y avisos) para revisión de los administradores
+CREATE TABLE IF NOT EXISTS moderation_log (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    guild_id TEXT,
+    channel_id TEXT,
+    user_id TEXT,
+    thread_id TEXT,
+    stage TEXT NOT NULL,
+    action TEXT NOT NULL,
+    rule_id INTEGER,
+    rule_type TEXT NOT NULL,
+    matched TEXT,
+    reason TEXT,
+    excerpt TEXT,
+    correlation_id TEXT,
+    reviewed_by TEXT,
+    reviewed_at DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_moderation_log_guild ON moderation_log(guild_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_moderation_log_created ON moderation_log(created_at);
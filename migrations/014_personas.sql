@@ -0,0 +1,28 @@
+-- Personalidades seleccionables: plantilla del prompt de sistema y textos visibles de cada una
+CREATE TABLE IF NOT EXISTS personas (
+    name TEXT PRIMARY KEY,
+    display_name TEXT NOT NULL,
+    description TEXT,
+    system_prompt TEXT NOT NULL,
+    fallback_messages TEXT NOT NULL,
+    intro_text TEXT NOT NULL,
+    help_text TEXT NOT NULL,
+    presence TEXT,
+    presence_type TEXT DEFAULT 'Watching',
+    temperature REAL,
+    updated_by TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Persona elegida por un servidor (channel_id vacío) o por un canal concreto
+CREATE TABLE IF NOT EXISTS persona_assignments (
+    guild_id TEXT NOT NULL,
+    channel_id TEXT NOT NULL DEFAULT '',
+    persona TEXT NOT NULL,
+    updated_by TEXT,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (guild_id, channel_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_persona_assignments_persona ON persona_assignments(persona);
@@ -0,0 +1,18 @@
+-- Las cuotas se cuentan por servidor y usuario (guild_id vacío en mensajes directos). El estado anterior,
+-- compartido por todos los servidores del usuario, se descarta: como mucho cubría el día en curso
+DROP TABLE IF EXISTS rate_limit_state;
+
+CREATE TABLE rate_limit_state (
+    guild_id TEXT NOT NULL DEFAULT '',
+    user_id TEXT NOT NULL,
+    tier TEXT,
+    tokens REAL NOT NULL,
+    last_refill INTEGER NOT NULL,
+    last_request INTEGER DEFAULT 0,
+    hour_start INTEGER DEFAULT 0,
+    hour_count INTEGER DEFAULT 0,
+    day_start INTEGER DEFAULT 0,
+    day_count INTEGER DEFAULT 0,
+    updated_at INTEGER NOT NULL,
+    PRIMARY KEY (guild_id, user_id)
+);
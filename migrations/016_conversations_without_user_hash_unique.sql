@@ -0,0 +1,35 @@
+-- UNIQUE(user_id, message_hash) venía del esquema original: al repetir una pregunta, INSERT OR REPLACE borraba
+-- el intercambio anterior aunque fuera de otro hilo. SQLite no permite quitar una restricción, así que la tabla
+-- se reconstruye sin ella conservando los ids.
+CREATE TABLE conversations_new (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id TEXT NOT NULL,
+    guild_id TEXT,
+    message_hash TEXT NOT NULL,
+    user_message TEXT NOT NULL,
+    bot_response TEXT NOT NULL,
+    timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+    model_used TEXT,
+    response_time INTEGER,
+    has_external_info BOOLEAN DEFAULT 0,
+    thread_id TEXT,
+    channel_id TEXT,
+    author_name TEXT,
+    cleared BOOLEAN DEFAULT 0,
+    summarized BOOLEAN DEFAULT 0,
+    correlation_id TEXT
+);
+
+INSERT INTO conversations_new (id, user_id, guild_id, message_hash, user_message, bot_response, timestamp, model_used,
+                               response_time, has_external_info, thread_id, channel_id, author_name, cleared, summarized, correlation_id)
+SELECT id, user_id, guild_id, message_hash, user_message, bot_response, timestamp, model_used,
+       response_time, has_external_info, thread_id, channel_id, author_name, cleared, summarized, correlation_id
+FROM conversations;
+
+DROP TABLE conversations;
+ALTER TABLE conversations_new RENAME TO conversations;
+
+CREATE INDEX IF NOT EXISTS idx_conversations_user ON conversations(user_id);
+CREATE INDEX IF NOT EXISTS idx_conversations_timestamp ON conversations(timestamp);
+CREATE INDEX IF NOT EXISTS idx_conversations_thread ON conversations(thread_id, timestamp);
+CREATE INDEX IF NOT EXISTS idx_conversations_correlation ON conversations(correlation_id);
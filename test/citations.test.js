@@ -0,0 +1,18 @@
+import { Citations } from '../index.js';
+
+const sources = [
+    { source: 'Wikipedia', title: 'Miguel de Cervantes', url: 'https://es.wikipedia.org/wiki/Miguel_de_Cervantes' },
+    { source: 'Open Library', title: 'Don Quijote de la Mancha (novela)', url: 'https://openlibrary.org/works/OL1W' }
+];
+
+describe('Citations.detectCited', () => {
+    test('cuenta el número, la URL o el título de la fuente', () => {
+        expect(Citations.detectCited('Nació en 1547 [1].', sources)).toEqual([true, false]);
+        expect(Citations.detectCited('Más en es.wikipedia.org/wiki/Miguel_de_Cervantes', sources)).toEqual([true, false]);
+        expect(Citations.detectCited('Escribió Don Quijote de la Mancha.', sources)).toEqual([false, true]);
+    });
+
+    test('nombrar sólo el origen no cuenta como cita', () => {
+        expect(Citations.detectCited('Según Wikipedia, fue un gran escritor.', sources)).toEqual([false, false]);
+    });
+});
@@ -0,0 +1,40 @@
+import { Clarifications } from '../index.js';
+
+const mercurio = {
+    source: 'Wikipedia',
+    title: 'Mercurio',
+    ambiguous: true,
+    candidates: [
+        { title: 'Mercurio (planeta)', description: 'planeta del sistema solar' },
+        { title: 'Mercurio (elemento)', description: 'elemento químico' },
+        { title: 'Mercurio (mitología)', description: 'dios romano del comercio' }
+    ]
+};
+
+describe('Clarifications', () => {
+    test('sólo pide aclaración cuando toda la información externa es ambigua', () => {
+        expect(Clarifications.ambiguousResult([mercurio])).toBe(mercurio);
+        expect(Clarifications.ambiguousResult([mercurio, { source: 'Base de conocimiento', title: 'Guía' }])).toBeNull();
+        expect(Clarifications.ambiguousResult(null)).toBeNull();
+    });
+
+    test('la respuesta lista las opciones numeradas', () => {
+        const text = new Clarifications().ask('t1', mercurio);
+        expect(text).toContain('«Mercurio» puede referirse a varias cosas');
+        expect(text).toContain('**2.** Mercurio (elemento) — elemento químico');
+    });
+
+    test('el siguiente mensaje elige por número o por palabras', () => {
+        const store = new Clarifications();
+        
+        store.ask('t1', mercurio);
+        expect(store.resolve('t1', '2').title).toBe('Mercurio (elemento)');
+        expect(store.resolve('t1', '2')).toBeNull();
+        
+        store.ask('t2', mercurio);
+        expect(store.resolve('t2', 'el dios romano').title).toBe('Mercurio (mitología)');
+        
+        store.ask('t3', mercurio);
+        expect(store.resolve('t3', 'no lo sé')).toBeNull();
+    });
+});
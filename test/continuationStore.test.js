@@ -0,0 +1,42 @@
+import { CONFIG, ContinuationStore } from '../index.js';
+
+function fakeButton(customId, userId) {
+    const interaction = { customId, user: { id: userId }, replies: [], updates: [], followUps: [] };
+    interaction.reply = async payload => interaction.replies.push(payload);
+    interaction.update = async payload => interaction.updates.push(payload);
+    interaction.followUp = async payload => {
+        interaction.followUps.push(payload);
+        return { id: `f${interaction.followUps.length}` };
+    };
+    return interaction;
+}
+
+describe('ContinuationStore', () => {
+    test('sólo quien hizo la pregunta puede pulsar "Continuar"', async () => {
+        const store = new ContinuationStore();
+        const payloads = Array.from({ length: CONFIG.MAX_REPLY_PARTS + 2 }, (_, i) => ({ content: `parte ${i + 1}` }));
+        const sent = [];
+        const send = async payload => {
+            sent.push(payload);
+            return { id: `m${sent.length}` };
+        };
+        
+        await store.deliver(payloads, { sendFirst: send, sendNext: send, requesterId: 'autor' });
+        const customId = sent.at(-1).components[0].components[0].data.custom_id;
+        
+        const intruder = fakeButton(customId, 'otro');
+        await store.handleButton(intruder);
+        expect(intruder.replies[0]).toMatchObject({ ephemeral: true });
+        expect(intruder.replies[0].content).toContain('Sólo quien hizo la pregunta');
+        expect(intruder.followUps).toHaveLength(0);
+        
+        const author = fakeButton(customId, 'autor');
+        await store.handleButton(author);
+        expect(author.updates).toEqual([{ components: [] }]);
+        expect(author.followUps.map(payload => payload.content)).toEqual(['parte 4', 'parte 5']);
+        
+        const late = fakeButton(customId, 'autor');
+        await store.handleButton(late);
+        expect(late.replies[0].content).toContain('ya no está disponible');
+    });
+});
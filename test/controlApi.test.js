@@ -0,0 +1,111 @@
+import { createServer } from 'http';
+import request from 'supertest';
+import { WebSocket } from 'ws';
+import { CONFIG, ControlAPI, activityStream, controlAPI, guildSettings } from '../index.js';
+import { createAdmin, useTestDatabase } from './helpers.js';
+
+useTestDatabase();
+
+describe('Autenticación de la API de control', () => {
+    let viewer;
+    
+    beforeAll(async () => {
+        viewer = await createAdmin('viewer');
+    });
+
+    test('las rutas REST aceptan el token en la cabecera', async () => {
+        await request(controlAPI.app)
+            .get('/api/activity')
+            .set('Authorization', `Bearer ${viewer.token}`)
+            .expect(200);
+    });
+
+    test('las rutas REST rechazan el token en la query', async () => {
+        await request(controlAPI.app).get(`/api/activity?token=${viewer.token}`).expect(401);
+    });
+
+    test('el WebSocket acepta el token en la query', async () => {
+        const server = createServer(controlAPI.app);
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        activityStream.attach(server);
+        
+        try {
+            const socket = new WebSocket(`ws://127.0.0.1:${server.address().port}${CONFIG.WS_PATH}?token=${viewer.token}`);
+            await new Promise((resolve, reject) => {
+                socket.once('open', resolve);
+                socket.once('error', reject);
+            });
+            socket.close();
+        } finally {
+            activityStream.wss.close();
+            await new Promise(resolve => server.close(resolve));
+        }
+    });
+});
+
+describe('PATCH /api/admins/:id', () => {
+    let operator;
+    let target;
+    
+    beforeAll(async () => {
+        operator = await createAdmin('operator', { discordId: '111111111111111111' });
+        target = await createAdmin('viewer');
+    });
+    
+    const patch = body => request(controlAPI.app)
+        .patch(`/api/admins/${target.admin.id}`)
+        .set('Authorization', `Bearer ${operator.token}`)
+        .send(body);
+
+    test('rechaza un discordId que no es un snowflake', async () => {
+        await patch({ discordId: 'abc' }).expect(400);
+        await patch({ discordId: 123456789012345678 }).expect(400);
+    });
+
+    test('devuelve 409 si el discordId ya pertenece a otro administrador', async () => {
+        await patch({ discordId: '111111111111111111' }).expect(409);
+    });
+
+    test('vincula y desvincula un discordId válido', async () => {
+        const linked = await patch({ discordId: '222222222222222222' }).expect(200);
+        expect(linked.body.discordId).toBe('222222222222222222');
+        
+        const unlinked = await patch({ discordId: null }).expect(200);
+        expect(unlinked.body.discordId).toBeNull();
+    });
+});
+
+describe('/metrics', () => {
+    test('sin METRICS_TOKEN sólo responde a localhost', async () => {
+        await request(controlAPI.app).get(CONFIG.METRICS_PATH).expect(200);
+        expect(ControlAPI.isLoopback('::ffff:127.0.0.1')).toBe(true);
+        expect(ControlAPI.isLoopback('10.0.0.5')).toBe(false);
+    });
+
+    test('con METRICS_TOKEN lo exige también desde localhost', async () => {
+        CONFIG.METRICS_TOKEN = 'metrics-secret';
+        try {
+            await request(controlAPI.app).get(CONFIG.METRICS_PATH).expect(401);
+            await request(controlAPI.app)
+                .get(CONFIG.METRICS_PATH)
+                .set('Authorization', 'Bearer metrics-secret')
+                .expect(200);
+        } finally {
+            CONFIG.METRICS_TOKEN = null;
+        }
+    });
+});
+
+describe('GET /api/diagnostics', () => {
+    test('las fuentes reflejan las desactivadas por el servidor', async () => {
+        const { token } = await createAdmin('viewer');
+        await guildSettings.set('g-diag', 'disabled_sources', 'wikipedia', 'tester');
+        const diagnostics = query => request(controlAPI.app)
+            .get(`/api/diagnostics${query}`)
+            .set('Authorization', `Bearer ${token}`)
+            .expect(200);
+        
+        expect((await diagnostics('?guildId=g-diag')).body.knowledgeSources.wikipedia.enabled).toBe(false);
+        expect((await diagnostics('')).body.knowledgeSources.wikipedia.enabled).toBe(true);
+    });
+});
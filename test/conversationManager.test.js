@@ -0,0 +1,40 @@
+import { ConversationManager, database } from '../index.js';
+import { useTestDatabase } from './helpers.js';
+
+useTestDatabase();
+
+async function ask(manager, threadId, userId, question) {
+    await manager.addMessage(threadId, 'user', question, { userId, author: userId });
+    await manager.addMessage(threadId, 'assistant', `respuesta a ${question}`);
+}
+
+describe('ConversationManager.clearUserThreads', () => {
+    test('en un hilo compartido sólo retira los intercambios del usuario', async () => {
+        const manager = new ConversationManager();
+        const shared = manager.openThread({ guildId: 'g1', channelId: 'c1', rootId: 'r1' });
+        const own = manager.openThread({ guildId: 'g1', channelId: 'c1', rootId: 'r2' });
+        
+        await ask(manager, shared.id, 'alice', 'primera');
+        await ask(manager, shared.id, 'bob', 'segunda');
+        await ask(manager, own.id, 'alice', 'privada');
+        
+        expect(manager.clearUserThreads('alice').sort()).toEqual([shared.id, own.id].sort());
+        
+        expect(manager.threads.has(own.id)).toBe(false);
+        expect(manager.conversations.get(shared.id).map(msg => msg.content)).toEqual(['segunda', 'respuesta a segunda']);
+        expect([...manager.threads.get(shared.id).participants]).toEqual(['bob']);
+    });
+});
+
+describe('ConversationManager.pruneStoredThreads', () => {
+    test('depura los mensajes de hilos más antiguos que la retención', async () => {
+        await database.db.run(
+            `INSERT INTO thread_messages (message_id, thread_id, channel_id, guild_id, created_at) 
+             VALUES ('old', 't-old', 'c1', 'g1', datetime('now', '-40 days')), ('new', 't-new', 'c1', 'g1', CURRENT_TIMESTAMP)`
+        );
+        
+        expect(await new ConversationManager().pruneStoredThreads(30)).toBe(1);
+        expect(await database.getThreadIdForMessage('old')).toBeNull();
+        expect(await database.getThreadIdForMessage('new')).toBe('t-new');
+    });
+});
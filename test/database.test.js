@@ -0,0 +1,94 @@
+import { database } from '../index.js';
+import { useTestDatabase } from './helpers.js';
+
+useTestDatabase();
+
+let exchanges = 0;
+
+function saveExchange(threadId, userId, userMessage = null) {
+    exchanges++;
+    return database.saveConversation({
+        userId,
+        guildId: 'g1',
+        channelId: 'c1',
+        threadId,
+        authorName: userId,
+        messageHash: userMessage ? `hash-${userMessage}` : `hash-${exchanges}`,
+        userMessage: userMessage || `pregunta ${exchanges}`,
+        botResponse: `respuesta ${exchanges}`,
+        modelUsed: 'test-model',
+        responseTime: 10,
+        hasExternalInfo: false
+    });
+}
+
+describe('Database.transaction', () => {
+    test('un ROLLBACK no deshace las escrituras hechas fuera de la transacción', async () => {
+        let release;
+        const gate = new Promise(resolve => { release = resolve; });
+        
+        const failing = database.transaction(async tx => {
+            await tx.run(`INSERT INTO conversation_summaries (thread_id, summary) VALUES ('tx-thread', 'dentro')`);
+            await gate;
+            throw new Error('fallo provocado');
+        });
+        
+        // Esta escritura espera al bloqueo de la transacción y debe sobrevivir a su ROLLBACK
+        const outside = saveExchange('outside-thread', 'u-outside');
+        setTimeout(release, 50);
+        
+        await expect(failing).rejects.toThrow('fallo provocado');
+        await outside;
+        
+        expect(await database.getConversationSummary('tx-thread')).toBeUndefined();
+        expect(await database.getThreadConversations('outside-thread')).toHaveLength(1);
+    });
+
+    test('las transacciones posteriores a un fallo siguen funcionando', async () => {
+        const result = await database.transaction(async tx => {
+            await tx.run(`INSERT INTO conversation_summaries (thread_id, summary) VALUES ('ok-thread', 'guardado')`);
+            return 'hecho';
+        });
+        
+        expect(result).toBe('hecho');
+        expect((await database.getConversationSummary('ok-thread')).summary).toBe('guardado');
+    });
+});
+
+describe('Database.markConversationsCleared', () => {
+    test('limpiar lo de un usuario no borra el resumen de un hilo compartido', async () => {
+        await saveExchange('shared', 'alice');
+        await saveExchange('shared', 'bob');
+        await database.saveConversationSummary('shared', { summary: 'resumen compartido', exchanges: 2, modelUsed: 'test-model' }, []);
+        
+        expect(await database.markConversationsCleared({ userId: 'alice' })).toBe(1);
+        expect((await database.getConversationSummary('shared')).summary).toBe('resumen compartido');
+        
+        const remaining = await database.getThreadConversations('shared', 10, { includeCleared: false });
+        expect(remaining.map(row => row.user_id)).toEqual(['bob']);
+        
+        // Cuando el último participante limpia lo suyo, el hilo queda vacío y el resumen se borra
+        await database.markConversationsCleared({ userId: 'bob' });
+        expect(await database.getConversationSummary('shared')).toBeUndefined();
+    });
+
+    test('limpiar un hilo entero borra su resumen', async () => {
+        await saveExchange('whole', 'alice');
+        await saveExchange('whole', 'bob');
+        await database.saveConversationSummary('whole', { summary: 'resumen', exchanges: 2, modelUsed: 'test-model' }, []);
+        
+        expect(await database.markConversationsCleared({ threadId: 'whole' })).toBe(2);
+        expect(await database.getConversationSummary('whole')).toBeUndefined();
+    });
+});
+
+describe('Database.saveConversation', () => {
+    test('repetir una pregunta no borra el intercambio anterior', async () => {
+        await saveExchange('repeat-a', 'carol', '¿Quién escribió el Quijote?');
+        await saveExchange('repeat-a', 'carol', '¿Quién escribió el Quijote?');
+        await saveExchange('repeat-b', 'carol', '¿Quién escribió el Quijote?');
+        
+        expect(await database.getThreadConversations('repeat-a', 10)).toHaveLength(2);
+        expect(await database.getThreadConversations('repeat-b', 10)).toHaveLength(1);
+    });
+});
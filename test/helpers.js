@@ -0,0 +1,37 @@
+import { rmSync } from 'fs';
+import { AdminAuth, CONFIG, database } from '../index.js';
+
+export function useTestDatabase() {
+    beforeAll(() => database.initialize());
+    
+    afterAll(async () => {
+        await database.close();
+        for (const suffix of ['', '-journal', '-wal', '-shm']) {
+            rmSync(`${CONFIG.DB_PATH}${suffix}`, { force: true });
+        }
+    });
+    
+    return database;
+}
+
+// Proveedor LLM falso: devuelve las respuestas en orden y guarda las peticiones recibidas
+export function fakeProvider(...texts) {
+    const provider = {
+        requests: [],
+        async complete(request) {
+            provider.requests.push(request);
+            const text = texts.length > 1 ? texts.shift() : texts[0];
+            return { text, usage: { prompt_tokens: 10, completion_tokens: 5 } };
+        }
+    };
+    return provider;
+}
+
+let adminCount = 0;
+
+// Crea un administrador con el rol indicado y devuelve su token
+export async function createAdmin(role = 'operator', { discordId = null } = {}) {
+    const username = `${role}${++adminCount}`;
+    const admin = await database.createAdmin({ username, passwordHash: 'x', role, discordId });
+    return { admin, token: AdminAuth.issueToken(admin) };
+}
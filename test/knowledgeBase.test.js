@@ -0,0 +1,93 @@
+import { CONFIG, KnowledgeBase, database, knowledgeBase } from '../index.js';
+import { useTestDatabase } from './helpers.js';
+
+useTestDatabase();
+
+const rules = `# Normas del servidor
+
+Bienvenida al servidor de lectura.
+
+## Spoilers
+
+Los spoilers de novelas recientes van siempre entre barras verticales durante el primer mes.
+
+## Canales
+
+\`\`\`
+# esto no es un encabezado
+\`\`\`
+El canal de recomendaciones es sólo para libros.`;
+
+async function chunkCount(documentId) {
+    return (await database.db.get(`SELECT COUNT(*) AS total FROM kb_chunks WHERE document_id = ?`, [documentId])).total;
+}
+
+describe('KnowledgeBase.chunk', () => {
+    test('abre una sección por encabezado, salvo dentro de bloques de código', () => {
+        const chunks = KnowledgeBase.chunk(rules);
+        
+        expect(chunks.map(chunk => chunk.heading)).toEqual(['Normas del servidor', 'Spoilers', 'Canales']);
+        expect(chunks[2].content).toContain('# esto no es un encabezado');
+        expect(chunks.map(chunk => chunk.position)).toEqual([0, 1, 2]);
+    });
+
+    test('trocea las secciones largas sin superar el tamaño de fragmento', () => {
+        const paragraphs = Array.from({ length: 6 }, (_, index) => `Párrafo ${index} ${'palabra '.repeat(40)}`).join('\n\n');
+        const chunks = KnowledgeBase.chunk(`# Largo\n\n${paragraphs}`);
+        
+        expect(chunks.length).toBeGreaterThan(1);
+        expect(chunks.every(chunk => chunk.heading === 'Largo' && chunk.content.length <= CONFIG.KB_CHUNK_CHARS)).toBe(true);
+    });
+});
+
+describe('KnowledgeBase.ingest', () => {
+    test('un documento markdown se encuentra por sus palabras clave y al eliminarlo desaparecen sus fragmentos', async () => {
+        const { document, chunks } = await knowledgeBase.ingest('g-kb', { content: rules, filename: 'normas.md', addedBy: 'tester' });
+        
+        expect(document.title).toBe('Normas del servidor');
+        expect(chunks).toBe(3);
+        expect(await chunkCount(document.id)).toBe(3);
+        
+        const [result] = await knowledgeBase.search('g-kb', '¿Cómo se marcan los spoilers de novelas?');
+        expect(result).toMatchObject({ title: 'Normas del servidor', section: 'Spoilers', documentId: document.id });
+        expect(await knowledgeBase.search('g-otro', '¿Cómo se marcan los spoilers de novelas?')).toEqual([]);
+        
+        expect(await knowledgeBase.remove('g-kb', document.id)).toBe(true);
+        expect(await chunkCount(document.id)).toBe(0);
+        expect(await knowledgeBase.search('g-kb', '¿Cómo se marcan los spoilers de novelas?')).toEqual([]);
+    });
+
+    test('el mismo contenido no se indexa dos veces', async () => {
+        const first = await knowledgeBase.ingest('g-dup', { content: rules });
+        
+        expect(first.document.title).toBe('Normas del servidor');
+        expect(await knowledgeBase.ingest('g-dup', { content: rules })).toMatchObject({ unchanged: true, chunks: 0 });
+        expect((await knowledgeBase.ingest('g-dup', { title: 'Copia', content: rules })).error).toBe('Ese contenido ya está indexado como "Normas del servidor"');
+        expect(await knowledgeBase.list('g-dup')).toHaveLength(1);
+    });
+
+    test('volver a subir un título lo reemplaza', async () => {
+        await knowledgeBase.ingest('g-replace', { title: 'FAQ', content: 'Primera versión de las preguntas frecuentes.' });
+        const second = await knowledgeBase.ingest('g-replace', { title: 'FAQ', content: 'Segunda versión de las preguntas frecuentes.' });
+        
+        expect(second.replaced).toBe(true);
+        expect(await knowledgeBase.list('g-replace')).toHaveLength(1);
+        expect(await chunkCount(second.document.id)).toBe(1);
+    });
+
+    test('rechaza documentos vacíos, demasiado grandes o por encima del máximo', async () => {
+        expect((await knowledgeBase.ingest('g-limits', { content: '  \n ' })).error).toBe('El documento está vacío');
+        expect((await knowledgeBase.ingest('g-limits', { content: 'x'.repeat(CONFIG.KB_MAX_DOCUMENT_BYTES + 1) })).error)
+            .toMatch(/supera el máximo/);
+        
+        const maxDocuments = CONFIG.KB_MAX_DOCUMENTS;
+        CONFIG.KB_MAX_DOCUMENTS = 1;
+        try {
+            await knowledgeBase.ingest('g-limits', { title: 'Uno', content: 'Primer documento.' });
+            expect((await knowledgeBase.ingest('g-limits', { title: 'Dos', content: 'Segundo documento.' })).error).toMatch(/Límite de 1 documentos/);
+            expect((await knowledgeBase.ingest('g-limits', { title: 'Uno', content: 'Primer documento revisado.' })).replaced).toBe(true);
+        } finally {
+            CONFIG.KB_MAX_DOCUMENTS = maxDocuments;
+        }
+    });
+});
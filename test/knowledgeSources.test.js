@@ -0,0 +1,81 @@
+import { CONFIG, KnowledgeSourceRegistry } from '../index.js';
+import { useTestDatabase } from './helpers.js';
+
+useTestDatabase();
+
+function registry() {
+    const sources = new KnowledgeSourceRegistry();
+    sources.register({
+        name: 'libros',
+        queryTypes: ['books'],
+        priority: 60,
+        cache: false,
+        search: async query => ({ title: `Libro sobre ${query}` })
+    });
+    sources.register({
+        name: 'enciclopedia',
+        queryTypes: ['general', 'books'],
+        priority: 80,
+        cache: false,
+        search: async query => [{ title: query }, null],
+        normalize: data => data.filter(Boolean).map(result => ({ ...result, content: 'resumen' }))
+    });
+    sources.register({
+        name: 'lenta',
+        queryTypes: ['general'],
+        timeout: 20,
+        cache: false,
+        search: (query, { signal }) => new Promise((resolve, reject) => {
+            signal.addEventListener('abort', () => reject(Object.assign(new Error('abortada'), { name: 'AbortError' })));
+        })
+    });
+    sources.register({
+        name: 'rota',
+        queryTypes: ['general'],
+        cache: false,
+        search: async () => {
+            throw new Error('HTTP 500');
+        }
+    });
+    return sources;
+}
+
+describe('KnowledgeSourceRegistry', () => {
+    test('exige un nombre y una función de búsqueda', () => {
+        expect(() => new KnowledgeSourceRegistry().register({ name: 'sin-busqueda' })).toThrow(/requiere name y search/);
+    });
+
+    test('elige las fuentes por tipo de consulta y prioridad, sin las desactivadas', () => {
+        const sources = registry();
+        const settings = { ...CONFIG, KNOWLEDGE_SOURCES_DISABLED: ['libros'] };
+        
+        expect(sources.select(['books']).map(source => source.name)).toEqual(['enciclopedia', 'libros']);
+        expect(sources.select(['books'], settings).map(source => source.name)).toEqual(['enciclopedia']);
+    });
+
+    test('normaliza los resultados y los marca con su fuente', async () => {
+        const sources = registry();
+        
+        expect(await sources.query('libros', 'Cervantes')).toEqual([{ title: 'Libro sobre Cervantes', sourceName: 'libros' }]);
+        expect(await sources.query('enciclopedia', 'Lope')).toEqual([{ title: 'Lope', content: 'resumen', sourceName: 'enciclopedia' }]);
+    });
+
+    test('una fuente lenta o rota no impide las demás y queda en las estadísticas', async () => {
+        const sources = registry();
+        
+        const results = await sources.searchAll('Quevedo', { types: ['general'] });
+        const stats = sources.getStats();
+        
+        expect(results).toEqual([{ title: 'Quevedo', content: 'resumen', sourceName: 'enciclopedia' }]);
+        expect(stats.lenta).toMatchObject({ calls: 1, timeouts: 1, errors: 0, lastError: 'Timeout tras 20ms' });
+        expect(stats.rota).toMatchObject({ calls: 1, errors: 1, lastError: 'HTTP 500' });
+        expect(stats.enciclopedia).toMatchObject({ calls: 1, results: 1, enabled: true });
+    });
+
+    test('las estadísticas usan los ajustes del servidor', () => {
+        const stats = registry().getStats({ ...CONFIG, KNOWLEDGE_SOURCES_DISABLED: ['rota'] });
+        
+        expect(stats.rota.enabled).toBe(false);
+        expect(stats.libros.enabled).toBe(true);
+    });
+});
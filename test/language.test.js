@@ -0,0 +1,31 @@
+import { LanguageDetector, TextUtils } from '../index.js';
+
+describe('LanguageDetector.detect', () => {
+    test.each([
+        ['¿Quién escribió Cien años de soledad?', 'es'],
+        ['Who wrote One Hundred Years of Solitude?', 'en'],
+        ['Quem escreveu o livro Dom Casmurro?', 'pt']
+    ])('%j está en %s', (text, code) => {
+        expect(LanguageDetector.detect(text)).toMatchObject({ code, detected: true });
+    });
+
+    test('con poca evidencia usa el idioma por defecto', () => {
+        expect(LanguageDetector.detect('ok', 'pt')).toMatchObject({ code: 'pt', detected: false, confidence: 0 });
+        expect(LanguageDetector.detect('ok', 'xx').code).toBe('es');
+    });
+});
+
+describe('TextUtils.extractSearchTerm', () => {
+    test.each([
+        ['¿Qué es la fotosíntesis?', 'es', 'fotosíntesis'],
+        ['What is the capital of Australia?', 'en', 'capital australia'],
+        ['O que é a fotossíntese?', 'pt', 'fotossíntese'],
+        ['Quem escreveu o livro Dom Casmurro?', 'pt', 'escreveu livro dom casmurro']
+    ])('%j (%s) busca %j', (query, language, term) => {
+        expect(TextUtils.extractSearchTerm(query, language)).toBe(term);
+    });
+
+    test('los prefijos de un idioma no se quitan en otro', () => {
+        expect(TextUtils.extractSearchTerm('What is the capital of Australia?', 'es')).not.toBe('capital australia');
+    });
+});
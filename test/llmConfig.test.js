@@ -0,0 +1,50 @@
+import { CONFIG, UsageTracker, defaultModel, parseJSONEnv, parseModelPricing } from '../index.js';
+
+describe('modelos por defecto', () => {
+    test('dependen del proveedor', () => {
+        expect(defaultModel('groq', 'primary')).toBe('llama-3.1-8b-instant');
+        expect(defaultModel('groq', 'fallback')).toBe('llama-3.1-70b-versatile');
+        expect(defaultModel('openai', 'fallback')).toBeNull();
+    });
+
+    test('la configuración usa nombres neutros respecto al proveedor', () => {
+        expect(CONFIG.LLM_MODEL).toBe(defaultModel(CONFIG.LLM_PROVIDER, 'primary'));
+        expect(CONFIG.LLM_FALLBACK_MODEL).toBe(defaultModel(CONFIG.LLM_FALLBACK_PROVIDER, 'fallback'));
+        expect(CONFIG.BUDGET_MODEL).toBe(defaultModel(CONFIG.BUDGET_PROVIDER, 'light'));
+        expect(Object.keys(CONFIG).filter(key => /^GROQ_(MODEL|FALLBACK_MODEL|TEMPERATURE|MAX_TOKENS)$/.test(key))).toEqual([]);
+    });
+});
+
+describe('parseJSONEnv', () => {
+    afterEach(() => {
+        delete process.env.TEST_PRICING;
+    });
+
+    test('usa el valor por defecto si la variable no es un objeto JSON válido', () => {
+        const fallback = {};
+        
+        process.env.TEST_PRICING = '{"modelo": {"prompt": 1, "completion": 2}}';
+        expect(parseJSONEnv('TEST_PRICING', fallback)).toEqual({ modelo: { prompt: 1, completion: 2 } });
+        
+        process.env.TEST_PRICING = '{roto';
+        expect(parseJSONEnv('TEST_PRICING', fallback)).toBe(fallback);
+        
+        process.env.TEST_PRICING = '[1, 2]';
+        expect(parseJSONEnv('TEST_PRICING', fallback)).toBe(fallback);
+    });
+
+    test('descarta los precios de modelo incompletos o no numéricos', () => {
+        process.env.TEST_PRICING = JSON.stringify({
+            entero: 5,
+            incompleto: { prompt: 1 },
+            texto: { prompt: '1', completion: 2 },
+            valido: { prompt: 0.1, completion: 0.2, notas: 'x' }
+        });
+        
+        expect(parseModelPricing('TEST_PRICING')).toEqual({ valido: { prompt: 0.1, completion: 0.2 } });
+    });
+
+    test('los precios por defecto siguen disponibles', () => {
+        expect(UsageTracker.cost('llama-3.1-8b-instant', 1000000, 0)).toBe(0.05);
+    });
+});
@@ -0,0 +1,16 @@
+import { Logger } from '../index.js';
+
+describe('Logger', () => {
+    test('los datos de la llamada prevalecen sobre el contexto de correlación', async () => {
+        const entries = [];
+        const log = new Logger('debug');
+        log.winston = { log: entry => entries.push(entry) };
+        
+        await Logger.withCorrelation({ origin: 'message', userId: 'contexto' }, async () => {
+            log.info('Prueba', { userId: 'explícito' });
+        });
+        
+        expect(entries[0]).toMatchObject({ level: 'info', message: 'Prueba', origin: 'message', userId: 'explícito' });
+        expect(entries[0].correlationId).toEqual(expect.any(String));
+    });
+});
@@ -0,0 +1,68 @@
+import { CONFIG, MessageHandler, PersonaManager, conversationManager, database, metrics, personaManager, responseCache, semanticCache } from '../index.js';
+import { useTestDatabase } from './helpers.js';
+
+useTestDatabase();
+
+describe('MessageHandler.answer', () => {
+    test('una respuesta cacheada no impide rehidratar el historial guardado', async () => {
+        const thread = conversationManager.openThread({ guildId: 'g-cache', channelId: 'c1', rootId: 'r1' });
+        for (const [index, question] of ['¿Qué es un soneto?', '¿Y un haiku?'].entries()) {
+            await database.saveConversation({
+                userId: 'u1',
+                guildId: thread.guildId,
+                channelId: thread.channelId,
+                threadId: thread.id,
+                authorName: 'u1',
+                messageHash: `h${index}`,
+                userMessage: question,
+                botResponse: `respuesta ${index}`,
+                modelUsed: 'test-model',
+                responseTime: 10,
+                hasExternalInfo: false
+            });
+        }
+        
+        const question = '¿Cuántos versos tiene?';
+        const persona = PersonaManager.version(personaManager.defaultPersona());
+        await responseCache.set(responseCache.generateKey(`response:${thread.id}:${persona}`, question), { text: 'Catorce versos.', model: 'test-model' });
+        
+        const { response } = await MessageHandler.answer({ userId: 'u1', userMessage: question, thread });
+        
+        expect(response.fromCache).toBe(true);
+        expect(conversationManager.conversations.get(thread.id).map(msg => msg.content)).toEqual([
+            '¿Qué es un soneto?', 'respuesta 0', '¿Y un haiku?', 'respuesta 1', question, 'Catorce versos.'
+        ]);
+    });
+
+    test('una respuesta del cache semántico no vuelve a registrar sus fuentes', async () => {
+        const question = '¿Quién es Miguel de Cervantes?';
+        const sources = [{ source: 'Wikipedia', sourceName: 'wikipedia', title: 'Miguel de Cervantes', url: 'https://es.wikipedia.org/wiki/Miguel_de_Cervantes' }];
+        const first = conversationManager.openThread({ guildId: 'g-sources', channelId: 'c1', rootId: 'r1' });
+        await semanticCache.store(first.guildId, question, 'es', { text: 'Fue el autor del Quijote [1].', model: 'test-model', externalInfo: sources },
+            await personaManager.apply(CONFIG, first));
+        
+        const { response, citations } = await MessageHandler.answer({ userId: 'u2', userMessage: question, thread: first });
+        
+        expect(response.fromCache).toBe(true);
+        expect(citations).toEqual([true]);
+        expect(await database.db.get(`SELECT COUNT(*) AS total FROM response_sources WHERE guild_id = 'g-sources'`)).toEqual({ total: 0 });
+    });
+});
+
+describe('MessageHandler.handleMention', () => {
+    test('cuenta las menciones en las métricas de mensajes', async () => {
+        const message = {
+            id: 'm-mention',
+            content: '<@bot> hola',
+            author: { id: 'u3', username: 'lector', discriminator: '0' },
+            guild: { id: 'g-mention' },
+            channel: { id: 'c1' },
+            reply: async () => ({ id: 'intro-1' })
+        };
+        
+        await MessageHandler.handleMention(message);
+        
+        expect(metrics.render()).toContain('messages_total{origin="mention",outcome="success"} 1');
+        expect(conversationManager.conversations.get('g-mention:c1:intro-1')).toHaveLength(1);
+    });
+});
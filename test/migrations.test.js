@@ -0,0 +1,107 @@
+import { rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { randomUUID } from 'crypto';
+import sqlite3 from 'sqlite3';
+import { open } from 'sqlite';
+import { SchemaMigrator } from '../index.js';
+import { useTestDatabase } from './helpers.js';
+
+const database = useTestDatabase();
+
+describe('SchemaMigrator', () => {
+    test('aplica todas las migraciones en una base nueva', async () => {
+        const status = await new SchemaMigrator(database.db).status();
+        const migrations = SchemaMigrator.loadMigrations();
+        
+        expect(status.pending).toEqual([]);
+        expect(status.current).toBe(migrations[migrations.length - 1].version);
+        expect(status.applied.map(row => row.version)).toEqual(migrations.map(migration => migration.version));
+        expect(status.applied.some(row => row.modified)).toBe(false);
+    });
+
+    test('las versiones son únicas y consecutivas', () => {
+        const versions = SchemaMigrator.loadMigrations().map(migration => migration.version);
+        expect(versions).toEqual(versions.map((_, index) => index + 1));
+    });
+
+    test('detecta migraciones aplicadas que cambiaron después', async () => {
+        await database.db.run(`UPDATE schema_version SET checksum = 'x' WHERE version = 1`);
+        const status = await new SchemaMigrator(database.db).status();
+        expect(status.applied.find(row => row.version === 1).modified).toBe(true);
+        
+        const [first] = SchemaMigrator.loadMigrations();
+        await database.db.run(`UPDATE schema_version SET checksum = ? WHERE version = 1`, [first.checksum]);
+    });
+
+    test('revierte una migración fallida por completo', async () => {
+        const migrator = new SchemaMigrator(database.db);
+        const broken = {
+            version: 900,
+            name: 'broken',
+            type: 'sql',
+            source: 'CREATE TABLE migration_probe (id INTEGER); INSERT INTO tabla_inexistente VALUES (1);',
+            checksum: 'broken'
+        };
+        
+        await expect(migrator.apply(broken)).rejects.toThrow();
+        expect(await database.db.get(`SELECT name FROM sqlite_master WHERE name = 'migration_probe'`)).toBeUndefined();
+        expect(await database.db.get(`SELECT version FROM schema_version WHERE version = 900`)).toBeUndefined();
+    });
+
+    test('se niega a trabajar con un esquema más nuevo', async () => {
+        await database.db.run(`INSERT INTO schema_version (version, name, checksum) VALUES (999, 'futuro', 'x')`);
+        try {
+            await expect(new SchemaMigrator(database.db).migrate()).rejects.toMatchObject({ code: 'SCHEMA_TOO_NEW' });
+        } finally {
+            await database.db.run(`DELETE FROM schema_version WHERE version = 999`);
+        }
+    });
+
+    test('migrar con el bot en marcha espera a las transacciones en curso', async () => {
+        let release;
+        const gate = new Promise(resolve => { release = resolve; });
+        const order = [];
+        
+        const transaction = database.transaction(async () => {
+            await gate;
+            order.push('transaction');
+        });
+        const migration = database.migrate().then(result => {
+            order.push('migrate');
+            return result;
+        });
+        
+        setTimeout(release, 20);
+        await transaction;
+        expect(await migration).toMatchObject({ applied: 0 });
+        expect(order).toEqual(['transaction', 'migrate']);
+    });
+
+    test('016 quita UNIQUE(user_id, message_hash) sin perder intercambios', async () => {
+        const path = join(tmpdir(), `mancy-migration-${randomUUID()}.db`);
+        const db = await open({ filename: path, driver: sqlite3.Database });
+        try {
+            const migrator = new SchemaMigrator(db);
+            await migrator.ensureVersionTable();
+            const migrations = SchemaMigrator.loadMigrations();
+            for (const migration of migrations.filter(candidate => candidate.version < 16)) {
+                await migrator.apply(migration);
+            }
+            
+            await db.run(
+                `INSERT INTO conversations (id, user_id, message_hash, user_message, bot_response, thread_id, summarized) 
+                 VALUES (7, 'u1', 'h', 'hola', 'buenas', 't1', 1)`
+            );
+            await migrator.migrate();
+            
+            expect(await db.get(`SELECT id, user_id, thread_id, summarized FROM conversations`))
+                .toEqual({ id: 7, user_id: 'u1', thread_id: 't1', summarized: 1 });
+            await db.run(`INSERT INTO conversations (user_id, message_hash, user_message, bot_response, thread_id) VALUES ('u1', 'h', 'hola', 'otra', 't2')`);
+            expect((await db.get(`SELECT MAX(id) AS id FROM conversations`)).id).toBe(8);
+        } finally {
+            await db.close();
+            rmSync(path, { force: true });
+        }
+    });
+});
@@ -0,0 +1,73 @@
+import { CONFIG, Moderator, database, moderator } from '../index.js';
+import { useTestDatabase } from './helpers.js';
+
+useTestDatabase();
+
+const settings = { ...CONFIG, MODERATION_ENABLED: true, MODERATION_MODEL_ENABLED: false };
+
+describe('Moderator.validateRule', () => {
+    test.each(['(a+)+$', '(a|aa)*', '(\\w+\\s?)*', '(.*a){20}', '((a+))+', '(a)\\1', 'a*a*a*a*b', '\\s*\\s*\\s*x', '.*.*.*=.*'])(
+        'rechaza la expresión con backtracking costoso %s',
+        pattern => {
+            const result = Moderator.validateRule({ type: 'regex', pattern, action: 'refuse' });
+            expect(result.error).toMatch(/^Expresión regular no admitida/);
+        }
+    );
+
+    test.each(['(idiota|imbécil)s?', '[a-z]+ruta', '(?:foo)bar', '\\d{3}-\\d{4}', '(?<=x)a+', '(ab)+'])(
+        'acepta la expresión acotada %s',
+        pattern => {
+            expect(Moderator.validateRule({ type: 'regex', pattern, action: 'refuse' }).rule).toBeDefined();
+        }
+    );
+
+    test('las palabras se escapan y no pasan por la comprobación', () => {
+        expect(Moderator.validateRule({ type: 'word', pattern: '(A+)+', action: 'redact' }).rule.pattern).toBe('(a+)+');
+    });
+});
+
+describe('Moderator.check', () => {
+    test('ignora las expresiones peligrosas guardadas antes de la comprobación', async () => {
+        await database.addModerationRule('g-legacy', { type: 'regex', pattern: '(a+)+$', action: 'refuse', stage: 'both' }, 'test');
+        
+        const result = await moderator.check(`${'a'.repeat(40)}!`, { stage: 'input', guildId: 'g-legacy', settings });
+        
+        expect(result.action).toBe('allow');
+    });
+
+    test('una expresión que agota el tiempo se interrumpe y queda desactivada', async () => {
+        await moderator.addRule('g-slow', { type: 'regex', pattern: '.*clave', action: 'refuse', stage: 'both' }, 'test');
+        const timeouts = moderator.getStats().regexTimeouts;
+        
+        const start = Date.now();
+        const slow = await moderator.check('a'.repeat(50000), { stage: 'input', guildId: 'g-slow', settings });
+        const elapsed = Date.now() - start;
+        const after = await moderator.check('esta es la clave', { stage: 'input', guildId: 'g-slow', settings });
+        
+        expect(slow.action).toBe('allow');
+        expect(elapsed).toBeLessThan(1000);
+        expect(moderator.getStats().regexTimeouts).toBe(timeouts + 1);
+        expect(after.action).toBe('allow');
+    });
+
+    test('las expresiones censuran el texto completo', async () => {
+        await moderator.addRule('g-redact', { type: 'regex', pattern: 'clave\\d+', action: 'redact', stage: 'both' }, 'test');
+        const padding = 'x'.repeat(5000);
+        
+        const result = await moderator.check(`clave1 ${padding} clave2`, { stage: 'output', guildId: 'g-redact', settings });
+        
+        expect(result).toMatchObject({ action: 'redact', text: `${CONFIG.MODERATION_REDACTION} ${padding} ${CONFIG.MODERATION_REDACTION}` });
+    });
+
+    test('aplica la acción más severa y registra cada decisión', async () => {
+        await moderator.addRule('g-both', { type: 'word', pattern: 'tonto', action: 'redact', stage: 'both' }, 'test');
+        await moderator.addRule('g-both', { type: 'regex', pattern: 'prohibid[oa]', action: 'refuse', stage: 'input' }, 'test');
+        
+        const result = await moderator.check('Eres tonto, esto está prohibido', { stage: 'input', guildId: 'g-both', userId: 'u1', settings });
+        const output = await moderator.check('Eres tonto, esto está prohibido', { stage: 'output', guildId: 'g-both', userId: 'u1', settings });
+        
+        expect(result.action).toBe('refuse');
+        expect(output).toMatchObject({ action: 'redact', text: `Eres ${CONFIG.MODERATION_REDACTION}, esto está prohibido` });
+        expect(await database.getModerationLog({ guildId: 'g-both' })).toHaveLength(3);
+    });
+});
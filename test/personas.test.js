@@ -0,0 +1,111 @@
+import { CONFIG, DEFAULT_PERSONA, PersonaManager, SYSTEM_PROMPT, database, guildSettings, llmProviders, personaManager, responseGenerator, semanticCache } from '../index.js';
+import { fakeProvider, useTestDatabase } from './helpers.js';
+
+useTestDatabase();
+
+const persona = name => ({
+    displayName: name,
+    systemPrompt: `Eres ${name}. Máximo {MAX_LENGTH} tokens en {REPLY_LANGUAGE}.`,
+    fallbackMessages: ['Inténtalo de nuevo.'],
+    introText: 'Hola {USER}.',
+    helpText: `Soy ${name}`,
+    temperature: 0.2
+});
+
+describe('PersonaManager integrada', () => {
+    test('una fila guardada con su nombre no sustituye a la definida en el código', async () => {
+        await database.savePersona({ ...DEFAULT_PERSONA, systemPrompt: 'Prompt antiguo {MAX_LENGTH} {REPLY_LANGUAGE}', temperature: 1.2 }, 'system');
+        const manager = new PersonaManager();
+        
+        await manager.load();
+        
+        expect(manager.get('mancy').systemPrompt).toBe(SYSTEM_PROMPT);
+        expect(manager.get('mancy').temperature).toBeNull();
+    });
+
+    test('no se puede editar', async () => {
+        const result = await personaManager.save('Mancy', { temperature: 0.1 }, 'tester');
+        
+        expect(result.error).toMatch(/integrada/);
+        expect(personaManager.get('mancy')).toBe(DEFAULT_PERSONA);
+    });
+
+    test('sigue la temperatura de la configuración y la del servidor', async () => {
+        expect((await personaManager.apply({ ...CONFIG, LLM_TEMPERATURE: 0.9 })).LLM_TEMPERATURE).toBe(0.9);
+        
+        await guildSettings.set('g-temp', 'temperature', '0.4', 'tester');
+        const settings = await guildSettings.resolve('g-temp');
+        
+        expect((await personaManager.apply(settings, { guildId: 'g-temp' })).LLM_TEMPERATURE).toBe(0.4);
+    });
+});
+
+describe('PersonaManager.resolve', () => {
+    beforeAll(async () => {
+        await personaManager.save('poeta', persona('Poeta'), 'tester');
+        await personaManager.save('erudita', persona('Erudita'), 'tester');
+        await personaManager.assign('g-res', '', 'poeta', 'tester');
+        await personaManager.assign('g-res', 'c-erudita', 'erudita', 'tester');
+    });
+
+    test('el canal manda sobre el servidor y el servidor sobre la persona por defecto', async () => {
+        expect((await personaManager.resolve({ guildId: 'g-res', channelId: 'c-erudita' })).name).toBe('erudita');
+        expect((await personaManager.resolve({ guildId: 'g-res', channelId: 'c-otro' })).name).toBe('poeta');
+        expect((await personaManager.resolve({ guildId: 'g-sin', channelId: 'c1' })).name).toBe('mancy');
+    });
+
+    test('aplica la temperatura de la persona salvo que el servidor fije la suya', async () => {
+        expect((await personaManager.apply(CONFIG, { guildId: 'g-res' })).LLM_TEMPERATURE).toBe(0.2);
+        
+        await guildSettings.set('g-res', 'temperature', '0.7', 'tester');
+        const settings = await guildSettings.resolve('g-res');
+        
+        expect((await personaManager.apply(settings, { guildId: 'g-res' })).LLM_TEMPERATURE).toBe(0.7);
+    });
+
+    test('si la persona asignada se elimina se vuelve a la de por defecto', async () => {
+        await personaManager.save('temporal', persona('Temporal'), 'tester');
+        await personaManager.assign('g-del', '', 'temporal', 'tester');
+        
+        await personaManager.remove('temporal');
+        
+        expect((await personaManager.resolve({ guildId: 'g-del' })).name).toBe('mancy');
+    });
+});
+
+describe('responseGenerator.generate', () => {
+    test('no reutiliza la respuesta cacheada de otra persona ni de una versión anterior', async () => {
+        const provider = Object.assign(fakeProvider('Respuesta de la poeta.', 'Respuesta de la erudita.', 'Respuesta nueva de la poeta.'), { name: 'fake-persona' });
+        llmProviders.register(provider);
+        const ask = async name => {
+            const settings = { ...CONFIG, LLM_PROVIDER: 'fake-persona', LLM_MODEL: 'fake-model', STREAM_RESPONSES: false, PERSONA: personaManager.get(name) };
+            return (await responseGenerator.generate('u-persona', '¿Qué es un soneto?', { threadId: 't-persona', settings })).text;
+        };
+        
+        expect(await ask('poeta')).toBe('Respuesta de la poeta.');
+        expect(await ask('poeta')).toBe('Respuesta de la poeta.');
+        expect(await ask('erudita')).toBe('Respuesta de la erudita.');
+        
+        await personaManager.save('poeta', { systemPrompt: 'Eres una poeta nueva. {MAX_LENGTH} {REPLY_LANGUAGE}' }, 'tester');
+        
+        expect(await ask('poeta')).toBe('Respuesta nueva de la poeta.');
+        expect(provider.requests).toHaveLength(3);
+    });
+});
+
+describe('semanticCache con personas', () => {
+    test('no reutiliza respuestas de otra persona ni de una versión anterior', async () => {
+        await personaManager.save('cronista', persona('Cronista'), 'tester');
+        await personaManager.save('bardo', persona('Bardo'), 'tester');
+        const settings = name => ({ ...CONFIG, PERSONA: personaManager.get(name) });
+        
+        await semanticCache.store('g-sem-persona', '¿Quién escribió el Quijote?', 'es', { text: 'Cervantes, crónica.', model: 'test-model' }, settings('cronista'));
+        
+        expect(await semanticCache.lookup('g-sem-persona', 'autor del Quijote', 'es', settings('cronista'))).toMatchObject({ text: 'Cervantes, crónica.' });
+        expect(await semanticCache.lookup('g-sem-persona', 'autor del Quijote', 'es', settings('bardo'))).toBeNull();
+        
+        await personaManager.save('cronista', { temperature: 0.9 }, 'tester');
+        
+        expect(await semanticCache.lookup('g-sem-persona', 'autor del Quijote', 'es', settings('cronista'))).toBeNull();
+    });
+});
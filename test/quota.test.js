@@ -0,0 +1,65 @@
+import { MessageHandler, SlashCommands, database, guildSettings, rateLimiter } from '../index.js';
+import { useTestDatabase } from './helpers.js';
+
+useTestDatabase();
+
+function fakeMessage(guildId, userId, content) {
+    const message = {
+        id: `m-${userId}`,
+        content,
+        author: { id: userId, username: userId, discriminator: '0' },
+        guild: { id: guildId },
+        member: null,
+        channel: { id: 'c1', type: 0 },
+        replies: []
+    };
+    message.reply = async payload => {
+        message.replies.push(payload);
+        return { id: `r-${message.replies.length}` };
+    };
+    return message;
+}
+
+const used = (guildId, userId) => rateLimiter.getSnapshot({ userId, guildId }).user.daily.used;
+
+describe('consumo de cuota', () => {
+    test('un reply vacío no gasta cuota', async () => {
+        const message = fakeMessage('g-quota', 'u-empty', '   ');
+        await MessageHandler.handleReply(message, null);
+        
+        expect(message.replies[0].content).toContain('mensaje con contenido');
+        expect(used('g-quota', 'u-empty')).toBe(0);
+    });
+
+    test('un reply rechazado por presupuesto agotado no gasta cuota', async () => {
+        await guildSettings.set('g-budget', 'token_budget', '100');
+        await guildSettings.set('g-budget', 'budget_action', 'refuse');
+        await database.saveUsage({
+            guildId: 'g-budget', channelId: 'c1', userId: 'otro', threadId: null, provider: 'groq', model: 'test-model',
+            kind: 'chat', promptTokens: 150, completionTokens: 0, estimated: false, correlationId: null
+        });
+        
+        const message = fakeMessage('g-budget', 'u-budget', '¿Qué es un soneto?');
+        await MessageHandler.handleReply(message, null);
+        
+        expect(message.replies[0].content).toContain('presupuesto mensual');
+        expect(used('g-budget', 'u-budget')).toBe(0);
+    });
+
+    test('/mancy ask vacío no gasta cuota', async () => {
+        const interaction = {
+            id: 'i-empty',
+            guildId: 'g-quota',
+            channelId: 'c1',
+            user: { id: 'u-ask', username: 'u-ask' },
+            member: null,
+            options: { getString: () => '  ' },
+            replies: [],
+            reply: async payload => interaction.replies.push(payload)
+        };
+        await SlashCommands.handleAsk(interaction, 'u-ask#0');
+        
+        expect(interaction.replies[0]).toMatchObject({ ephemeral: true });
+        expect(used('g-quota', 'u-ask')).toBe(0);
+    });
+});
@@ -0,0 +1,62 @@
+import { setTimeout as sleep } from 'timers/promises';
+import { CONFIG, RateLimiter, database, rateLimiter } from '../index.js';
+import { useTestDatabase } from './helpers.js';
+
+useTestDatabase();
+
+// Sin cooldown y con ráfaga amplia, para que sólo actúen los límites por hora y día
+const settings = { ...CONFIG, USER_COOLDOWN_MS: 0, GLOBAL_RATE_LIMIT: 100 };
+
+function consume(limiter, subject, tier = 'default') {
+    const result = limiter.consumeToken(subject, settings, tier);
+    if (result.allowed) limiter.releaseToken();
+    return result;
+}
+
+describe('RateLimiter', () => {
+    test('la cuota de un servidor no afecta a otro servidor ni a los mensajes directos', () => {
+        const limiter = new RateLimiter(rateLimiter.store);
+        const hourly = CONFIG.RATE_LIMIT_TIERS.new_account.hourly;
+        
+        for (let i = 0; i < hourly; i++) {
+            expect(consume(limiter, { userId: '1', guildId: 'A' }, 'new_account').allowed).toBe(true);
+        }
+        const rejected = consume(limiter, { userId: '1', guildId: 'A' }, 'new_account');
+        expect(rejected).toMatchObject({ allowed: false, reason: 'hourly' });
+        expect(RateLimiter.describeRejection(rejected)).toContain(`${hourly} preguntas por hora`);
+        
+        expect(consume(limiter, { userId: '1', guildId: 'B' }, 'new_account').allowed).toBe(true);
+        expect(consume(limiter, { userId: '1', guildId: null }, 'new_account').allowed).toBe(true);
+        expect(limiter.getSnapshot({ userId: '1', guildId: 'B' }, settings).user).toMatchObject({ guildId: 'B', hourly: { used: 1 } });
+    });
+
+    test('rechaza por ráfaga cuando se agotan los tokens', () => {
+        const limiter = new RateLimiter(rateLimiter.store);
+        const burstSettings = { ...settings, GLOBAL_RATE_LIMIT: 2 };
+        
+        expect(limiter.consumeToken({ userId: '2', guildId: 'A' }, burstSettings).allowed).toBe(true);
+        limiter.releaseToken();
+        expect(limiter.consumeToken({ userId: '2', guildId: 'A' }, burstSettings).allowed).toBe(true);
+        limiter.releaseToken();
+        expect(limiter.consumeToken({ userId: '2', guildId: 'A' }, burstSettings)).toMatchObject({ allowed: false, reason: 'tokens' });
+    });
+
+    test('persiste y recarga el estado por servidor', async () => {
+        const limiter = new RateLimiter(rateLimiter.store);
+        consume(limiter, { userId: '3', guildId: 'A' });
+        consume(limiter, { userId: '3', guildId: 'A' });
+        consume(limiter, { userId: '3', guildId: 'B' });
+        
+        // El guardado no se espera: se sondea hasta que esté el último estado de cada servidor
+        const saved = rows => rows.filter(row => row.userId === '3').reduce((total, row) => total + row.dayCount, 0);
+        for (let i = 0; i < 250 && saved(await database.loadRateLimitStates(0)) < 3; i++) {
+            await sleep(20);
+        }
+        
+        const reloaded = new RateLimiter(rateLimiter.store);
+        await reloaded.load();
+        expect(reloaded.check({ userId: '3', guildId: 'A' }, settings).state.dayCount).toBe(2);
+        expect(reloaded.check({ userId: '3', guildId: 'B' }, settings).state.dayCount).toBe(1);
+        expect(reloaded.check({ userId: '3', guildId: 'C' }, settings).state.dayCount).toBe(0);
+    });
+});
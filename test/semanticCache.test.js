@@ -0,0 +1,54 @@
+import { CONFIG, SemanticCache, guildSettings, semanticCache } from '../index.js';
+import { useTestDatabase } from './helpers.js';
+
+useTestDatabase();
+
+const analysis = { needsExternalInfo: true, language: 'es' };
+const similarity = (a, b) => SemanticCache.similarity(semanticCache.terms(a), semanticCache.terms(b));
+
+describe('SemanticCache.lookup', () => {
+    test('reutiliza la respuesta de una paráfrasis', async () => {
+        await semanticCache.store('g-sem', '¿Quién escribió el Quijote?', 'es', { text: 'Miguel de Cervantes [1].', model: 'test-model' });
+        
+        const hit = await semanticCache.lookup('g-sem', 'autor del Quijote', 'es');
+        
+        expect(hit).toMatchObject({ text: 'Miguel de Cervantes [1].', matchedQuestion: '¿Quién escribió el Quijote?', similarity: 1 });
+        expect(await semanticCache.lookup('g-otro', 'autor del Quijote', 'es')).toBeNull();
+    });
+
+    test('no confunde una pregunta con su negación', async () => {
+        await semanticCache.store('g-neg', '¿Qué es la fotosíntesis?', 'es', { text: 'Un proceso de las plantas.', model: 'test-model' });
+        
+        expect(similarity('¿Qué es la fotosíntesis?', '¿Qué no es la fotosíntesis?')).toBeLessThan(CONFIG.SEMANTIC_CACHE_THRESHOLD);
+        expect(await semanticCache.lookup('g-neg', '¿Qué no es la fotosíntesis?', 'es')).toBeNull();
+    });
+
+    test('ningún servidor puede bajar el umbral hasta confundir nacimiento y muerte', async () => {
+        const score = similarity('¿Cuándo nació Cervantes?', '¿Cuándo murió Cervantes?');
+        
+        expect((await guildSettings.set('g-umbral', 'semantic_threshold', String(score), 'tester')).error).toBeDefined();
+        expect((await guildSettings.set('g-umbral', 'semantic_threshold', '0.75', 'tester')).error).toBeUndefined();
+        expect(score).toBeLessThan(0.75);
+    });
+});
+
+describe('SemanticCache.ineligibleReason', () => {
+    test('no reutiliza respuestas en un hilo con historial', () => {
+        const history = [{ role: 'user', content: '¿Quién escribió el Quijote?' }, { role: 'assistant', content: 'Cervantes.' }];
+        
+        expect(semanticCache.ineligibleReason({ question: '¿Cuándo nació Cervantes?', analysis, history })).toBe('has_history');
+        expect(semanticCache.ineligibleReason({ question: '¿Cuándo nació Cervantes?', analysis, summary: { summary: 'Hablaron del Quijote.' } }))
+            .toBe('has_history');
+    });
+
+    test('la presentación del bot no cuenta como historial', () => {
+        const history = [{ role: 'assistant', content: 'Hola, soy Mancy.' }];
+        
+        expect(semanticCache.ineligibleReason({ question: '¿Cuándo nació Cervantes?', analysis, history })).toBeNull();
+    });
+
+    test('no reutiliza preguntas que remiten a la conversación', () => {
+        expect(semanticCache.ineligibleReason({ question: '¿Cuándo nació ese autor?', analysis })).toBe('references_context');
+        expect(semanticCache.ineligibleReason({ question: 'Who wrote it?', analysis: { ...analysis, language: 'en' } })).toBe('references_context');
+    });
+});
@@ -0,0 +1,11 @@
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { randomUUID } from 'crypto';
+
+// Cada archivo de tests usa su propia base de datos temporal y nada escribe en logs/ ni sale a la red
+process.env.DISCORD_TOKEN = 'test-token';
+process.env.GROQ_API_KEY = 'test-key';
+process.env.JWT_SECRET = 'test-secret';
+process.env.LOG_LEVEL = 'silent';
+process.env.LOG_TO_FILE = 'false';
+process.env.DB_PATH = join(tmpdir(), `mancy-test-${randomUUID()}.db`);
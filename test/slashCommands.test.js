@@ -0,0 +1,144 @@
+import { PermissionFlagsBits } from 'discord.js';
+import { SlashCommands, guildSettings, quotaTiers } from '../index.js';
+import { createAdmin, useTestDatabase } from './helpers.js';
+
+useTestDatabase();
+
+function fakeInteraction({ userId = '300000000000000001', guildId = '400000000000000001', managesGuild = false, booleans = {}, strings = {}, roles = {} } = {}) {
+    const interaction = {
+        user: { id: userId, username: 'tester', discriminator: '0' },
+        guildId,
+        channelId: '500000000000000001',
+        memberPermissions: guildId ? { has: flag => managesGuild && flag === PermissionFlagsBits.ManageGuild } : null,
+        options: {
+            getBoolean: name => booleans[name] ?? null,
+            getString: name => strings[name] ?? null,
+            getRole: name => roles[name] ?? null
+        },
+        replies: [],
+        async reply(payload) { interaction.replies.push(payload); },
+        async deferReply() { interaction.deferred = true; },
+        async editReply(payload) { interaction.replies.push(payload); }
+    };
+    return interaction;
+}
+
+describe('Definiciones de comandos slash', () => {
+    const [mancy, admin] = SlashCommands.definitions();
+    const names = command => command.options.map(option => option.name);
+
+    test('los comandos administrativos solo son visibles por defecto para quien gestiona el servidor', () => {
+        expect(admin.name).toBe('mancy-admin');
+        expect(admin.default_member_permissions).toBe(String(PermissionFlagsBits.ManageGuild));
+        expect(mancy.default_member_permissions).toBeUndefined();
+    });
+
+    test('el comando público no expone subcomandos administrativos', () => {
+        expect(names(mancy)).toEqual(['help', 'ask', 'reset', 'stats', 'quota', 'persona']);
+        expect(names(admin)).toEqual(expect.arrayContaining(['diag', 'usage', 'config', 'knowledge', 'moderation']));
+        
+        const subcommands = (command, group) => command.options.find(option => option.name === group).options.map(option => option.name);
+        expect(subcommands(mancy, 'quota')).toEqual(['view']);
+        expect(subcommands(mancy, 'persona')).toEqual(['list']);
+        expect(subcommands(admin, 'persona')).toEqual(['use', 'reset']);
+    });
+});
+
+describe('/mancy-admin diag', () => {
+    test('quien gestiona el servidor solo ve el diagnóstico de su servidor', async () => {
+        const interaction = fakeInteraction({ managesGuild: true });
+        await SlashCommands.handleDiag(interaction, 'tester');
+        expect(interaction.replies[0].content).toContain('en este servidor');
+        expect(interaction.replies[0].content).not.toContain('rateLimiter');
+    });
+
+    test('quien gestiona el servidor no puede probar la conexión', async () => {
+        const interaction = fakeInteraction({ managesGuild: true, booleans: { test_connection: true } });
+        await SlashCommands.handleDiag(interaction, 'tester');
+        expect(interaction.deferred).toBeUndefined();
+        expect(interaction.replies[0].content).toContain('🔒');
+    });
+
+    test('sin permisos ni cuenta vinculada se deniega', async () => {
+        const interaction = fakeInteraction({ guildId: null });
+        await SlashCommands.handleDiag(interaction, 'tester');
+        expect(interaction.replies[0].content).toContain('🔒');
+    });
+
+    test('un administrador vinculado ve el diagnóstico global', async () => {
+        await createAdmin('viewer', { discordId: '300000000000000009' });
+        const interaction = fakeInteraction({ userId: '300000000000000009', guildId: null });
+        await SlashCommands.handleDiag(interaction, 'tester');
+        expect(interaction.replies[0].content).toContain('rateLimiter');
+    });
+});
+
+describe('/mancy-admin quota y config', () => {
+    const everyone = { id: '400000000000000001' };
+
+    test('quien solo gestiona el servidor no puede asignar niveles por encima de booster', async () => {
+        const byRole = fakeInteraction({ managesGuild: true, strings: { tier: 'staff' }, roles: { role: everyone } });
+        await SlashCommands.handleQuota(byRole, 'set-role', 'tester');
+        
+        const byDefault = fakeInteraction({ managesGuild: true, strings: { setting: 'quota_tier', value: ' Staff ' } });
+        await SlashCommands.handleConfig(byDefault, 'set', 'tester');
+        
+        expect(byRole.replies[0].content).toContain('🔒');
+        expect(byDefault.replies[0].content).toContain('🔒');
+        expect(await quotaTiers.list('400000000000000001')).toEqual([]);
+        expect(await guildSettings.getOverrides('400000000000000001')).toEqual({});
+    });
+
+    test('quien gestiona el servidor puede asignar hasta booster', async () => {
+        const interaction = fakeInteraction({ managesGuild: true, strings: { tier: 'booster' }, roles: { role: { id: '600000000000000001' } } });
+        await SlashCommands.handleQuota(interaction, 'set-role', 'tester');
+        
+        expect(interaction.replies[0].content).toContain('✅');
+    });
+
+    test('un administrador vinculado puede asignar staff', async () => {
+        await createAdmin('operator', { discordId: '300000000000000010' });
+        const interaction = fakeInteraction({ userId: '300000000000000010', strings: { tier: 'staff' }, roles: { role: { id: '600000000000000002' } } });
+        await SlashCommands.handleQuota(interaction, 'set-role', 'tester');
+        
+        expect(interaction.replies[0].content).toContain('✅');
+    });
+});
+
+describe('/mancy-admin config del presupuesto', () => {
+    const guildId = '400000000000000002';
+
+    beforeAll(async () => {
+        await guildSettings.set(guildId, 'token_budget', '50000', 'admin:root');
+        await guildSettings.set(guildId, 'stream', 'false', 'discord:300000000000000001');
+    });
+
+    test('quien solo gestiona el servidor no puede quitarse el tope', async () => {
+        const set = fakeInteraction({ guildId, managesGuild: true, strings: { setting: 'token_budget', value: '0' } });
+        await SlashCommands.handleConfig(set, 'set', 'tester');
+        
+        const reset = fakeInteraction({ guildId, managesGuild: true, strings: { setting: 'budget_model' } });
+        await SlashCommands.handleConfig(reset, 'reset', 'tester');
+        
+        expect(set.replies[0].content).toContain('🔒');
+        expect(reset.replies[0].content).toContain('🔒');
+        expect((await guildSettings.getOverrides(guildId)).token_budget).toBe(50000);
+    });
+
+    test('restablecer todo conserva los ajustes reservados', async () => {
+        const interaction = fakeInteraction({ guildId, managesGuild: true });
+        await SlashCommands.handleConfig(interaction, 'reset', 'tester');
+        
+        expect(interaction.replies[0].content).toContain('✅');
+        expect(await guildSettings.getOverrides(guildId)).toEqual({ token_budget: 50000 });
+    });
+
+    test('un administrador vinculado sí puede cambiarlo', async () => {
+        await createAdmin('operator', { discordId: '300000000000000011' });
+        const interaction = fakeInteraction({ userId: '300000000000000011', guildId, strings: { setting: 'token_budget', value: '0' } });
+        await SlashCommands.handleConfig(interaction, 'set', 'tester');
+        
+        expect(interaction.replies[0].content).toContain('✅');
+        expect((await guildSettings.getOverrides(guildId)).token_budget).toBe(0);
+    });
+});
@@ -0,0 +1,56 @@
+import { StreamingReply } from '../index.js';
+
+// Mensaje de Discord falso: registra cada edición y puede fallar las primeras `failures`
+function fakeChannel({ failures = 0 } = {}) {
+    const channel = { created: [], edits: [], failures };
+    channel.create = async payload => {
+        const sent = { id: `m${channel.created.length + 1}` };
+        channel.created.push({ sent, payload });
+        return sent;
+    };
+    channel.edit = async (sent, payload) => {
+        if (channel.failures > 0) {
+            channel.failures--;
+            throw new Error('Unknown Message');
+        }
+        channel.edits.push({ id: sent.id, content: payload.content });
+    };
+    return channel;
+}
+
+describe('StreamingReply', () => {
+    test('un reintento devuelve el mensaje al marcador en vez de dejar el texto parcial', async () => {
+        const channel = fakeChannel();
+        const streamer = new StreamingReply({ create: channel.create, edit: channel.edit, interval: 0 });
+        await streamer.start();
+        
+        streamer.update('Respuesta a med');
+        await new Promise(resolve => setTimeout(resolve, 10));
+        await streamer.queue;
+        expect(channel.edits.at(-1).content).toBe('Respuesta a med ▌');
+        
+        await streamer.restart();
+        expect(streamer.text).toBe('');
+        expect(channel.edits.at(-1).content).toBe(StreamingReply.placeholder());
+    });
+
+    test('reintenta la edición final', async () => {
+        const channel = fakeChannel({ failures: 1 });
+        const streamer = new StreamingReply({ create: channel.create, edit: channel.edit, interval: 0 });
+        await streamer.start();
+        
+        const sent = await streamer.finish('Respuesta completa');
+        expect(sent.id).toBe('m1');
+        expect(channel.edits).toEqual([{ id: 'm1', content: 'Respuesta completa' }]);
+    });
+
+    test('si la edición final sigue fallando, envía la respuesta como mensaje nuevo', async () => {
+        const channel = fakeChannel({ failures: 2 });
+        const streamer = new StreamingReply({ create: channel.create, edit: channel.edit, interval: 0 });
+        await streamer.start();
+        
+        const sent = await streamer.finish('Respuesta completa');
+        expect(sent.id).toBe('m2');
+        expect(channel.created.at(-1).payload).toEqual({ content: 'Respuesta completa' });
+    });
+});